@@ -1,18 +1,33 @@
 // This file contains the main plugin logic that runs in Figma's sandbox
 
-// Show the plugin UI when the plugin starts
-figma.showUI(__html__, { 
-  width: 400, 
-  height: 600,
-  themeColors: true 
-});
+// Menu commands that run without the panel. Compression still loads the UI, hidden, because
+// encoding needs the browser; progress and results are shown with figma.notify.
+const HEADLESS_COMMANDS = ['compress-last-settings', 'compress-with-preset', 'compress-with-format', 'restore-originals'];
+const HEADLESS_FORMATS = [
+  { name: 'PNG', data: 'PNG' },
+  { name: 'JPEG', data: 'JPEG' },
+  { name: 'WebP', data: 'WEBP' },
+  { name: 'Auto (best per image)', data: 'AUTO' }
+];
+const HEADLESS_QUALITIES = ['90', '80', '70', '60', '50'];
+let headlessRun = null; // Command and parameters of the menu command being run
+let headlessNotification = null;
+
+// Show the plugin UI when the plugin starts; the interactive panel stays the default
+if (!HEADLESS_COMMANDS.includes(figma.command)) {
+  figma.showUI(__uiFiles__.main, { 
+    width: 400, 
+    height: 600,
+    themeColors: true 
+  });
+}
 
 // Optimized batch processing with queue
 let processingQueue = [];
 let isCurrentlyProcessing = false;
 let shouldStopProcessing = false;
 
-// Cache for exported images to avoid re-exporting
+// Cache for exported thumbnails to avoid re-exporting on rescans
 let exportCache = new Map();
 
 // Semaphore for limiting concurrent exportAsync operations
@@ -22,14 +37,39 @@ const MAX_CONCURRENT_EXPORTS = 1; // Maximum 1 export at a time to prevent UI bl
 // Queue for waiting export operations
 let exportQueue = [];
 
-// Function to safely execute exportAsync with concurrency control
-async function safeExportAsync(node, exportSettings) {
+// UI image requests being handled, and those the UI gave up on before their export was queued
+const activeImageRequests = new Set();
+const cancelledImageRequests = new Set();
+
+// Function to safely execute exportAsync with concurrency control. Exports for a UI request
+// carry its id: the UI is told when the export starts and can take it out of the queue.
+async function safeExportAsync(node, exportSettings, requestId) {
   return new Promise((resolve, reject) => {
-    exportQueue.push({ node, exportSettings, resolve, reject });
+    if (cancelledImageRequests.delete(requestId)) {
+      reject(new Error('Export cancelled'));
+      return;
+    }
+    exportQueue.push({ node, exportSettings, requestId, resolve, reject });
     processExportQueue();
   });
 }
 
+// Drop an export the UI stopped waiting for, so timed-out requests don't pile up in the queue
+function cancelImageRequest(requestId) {
+  const index = exportQueue.findIndex(item => item.requestId === requestId);
+  if (index !== -1) {
+    exportQueue.splice(index, 1)[0].reject(new Error('Export cancelled'));
+  } else if (activeImageRequests.has(requestId)) {
+    cancelledImageRequests.add(requestId); // Not queued yet
+  }
+}
+
+function notifyImageRequestStarted(requestId) {
+  if (requestId !== undefined) {
+    figma.ui.postMessage({ type: 'scaled-image-started', requestId: requestId });
+  }
+}
+
 // Process export queue with concurrency limit
 async function processExportQueue() {
   if (concurrentExports >= MAX_CONCURRENT_EXPORTS || exportQueue.length === 0) {
@@ -37,7 +77,8 @@ async function processExportQueue() {
   }
   
   concurrentExports++;
-  const { node, exportSettings, resolve, reject } = exportQueue.shift();
+  const { node, exportSettings, requestId, resolve, reject } = exportQueue.shift();
+  notifyImageRequestStarted(requestId);
   
   try {
     const result = await node.exportAsync(exportSettings);
@@ -51,8 +92,512 @@ async function processExportQueue() {
   }
 }
 
+// Storage keys for settings persisted between sessions
+const PRESETS_STORAGE_KEY = 'compression-presets';
+const LAST_SETTINGS_STORAGE_KEY = 'compression-last-settings';
+const NODE_SETTINGS_KEY = 'compressionSettings';
+
+// Read per-node compression settings saved with setPluginData
+function getNodeSettings(node) {
+  try {
+    const raw = node.getPluginData(NODE_SETTINGS_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    console.error('Failed to read compression settings for ' + node.name, error);
+    return null;
+  }
+}
+
+// Store per-node compression settings (format, scales, quality, max size) on the node itself
+function setNodeSettings(node, settings) {
+  node.setPluginData(NODE_SETTINGS_KEY, settings ? JSON.stringify(settings) : '');
+}
+
+// Load saved presets from client storage
+async function loadPresets() {
+  const presets = await figma.clientStorage.getAsync(PRESETS_STORAGE_KEY);
+  return Array.isArray(presets) ? presets : [];
+}
+
+// Send presets and last used global settings to the UI
+async function postPresets(message) {
+  const presets = await loadPresets();
+  const lastSettings = await figma.clientStorage.getAsync(LAST_SETTINGS_STORAGE_KEY);
+  figma.ui.postMessage({
+    type: 'presets-loaded',
+    presets: presets,
+    lastSettings: lastSettings || null,
+    headless: headlessRun, // Set when a menu command runs the hidden UI
+    message: message
+  });
+}
+
+// Collect every image paint on a node: fills, strokes, text ranges with their own fills
+// and vector network regions. Each entry knows where the paint lives so it can be written back.
+function getImagePaints(node) {
+  const imagePaints = [];
+
+  function collect(paints, location) {
+    for (let index = 0; index < paints.length; index++) {
+      const paint = paints[index];
+      if (paint.type === 'IMAGE' && paint.imageHash) {
+        imagePaints.push(Object.assign({ nodeId: node.id, index: index, paint: paint }, location));
+      }
+    }
+  }
+
+  if ('fills' in node) {
+    if (node.fills === figma.mixed && node.type === 'TEXT') {
+      // Text with mixed fills - each styled range has its own paint list
+      const segments = node.getStyledTextSegments(['fills']);
+      for (const segment of segments) {
+        collect(segment.fills, { property: 'fills', start: segment.start, end: segment.end });
+      }
+    } else if (Array.isArray(node.fills)) {
+      collect(node.fills, { property: 'fills' });
+    }
+  }
+
+  if ('strokes' in node && Array.isArray(node.strokes)) {
+    collect(node.strokes, { property: 'strokes' });
+  }
+
+  if (node.type === 'VECTOR' && node.vectorNetwork && node.vectorNetwork.regions) {
+    node.vectorNetwork.regions.forEach((region, regionIndex) => {
+      if (region.fills) {
+        collect(region.fills, { property: 'regions', regionIndex: regionIndex });
+      }
+    });
+  }
+
+  return imagePaints;
+}
+
+// Size in canvas pixels (at 1x) at which an image paint is actually drawn on a node,
+// taking the paint's scaleMode and imageTransform into account
+function getDisplayedImageSize(node, paint, imageSize) {
+  if (!imageSize || !imageSize.width || !imageSize.height) {
+    return { width: node.width, height: node.height };
+  }
+
+  if (paint.scaleMode === 'TILE') {
+    const factor = paint.scalingFactor || 1;
+    return { width: imageSize.width * factor, height: imageSize.height * factor };
+  }
+
+  if (paint.scaleMode === 'CROP' && paint.imageTransform) {
+    // imageTransform maps the node onto the visible part of the image (in 0..1 image space)
+    const transform = paint.imageTransform;
+    const visibleWidth = Math.hypot(transform[0][0], transform[1][0]) || 1;
+    const visibleHeight = Math.hypot(transform[0][1], transform[1][1]) || 1;
+    return { width: node.width / visibleWidth, height: node.height / visibleHeight };
+  }
+
+  // FILL covers the node, FIT fits inside it
+  const fit = paint.scaleMode === 'FIT' ? Math.min : Math.max;
+  const ratio = fit(node.width / imageSize.width, node.height / imageSize.height);
+  return { width: imageSize.width * ratio, height: imageSize.height * ratio };
+}
+
+// Grow an entry's displayed size to the largest size any of its usages is drawn at
+function updateDisplayedSize(entry, node, paint) {
+  if (!entry.naturalWidth) return;
+  const displayed = getDisplayedImageSize(node, paint, { width: entry.naturalWidth, height: entry.naturalHeight });
+  entry.displayWidth = Math.max(entry.displayWidth || 0, displayed.width);
+  entry.displayHeight = Math.max(entry.displayHeight || 0, displayed.height);
+}
+
+// Switch a rendered row to the source image once another layer shares it, so one compression
+// fits every layer. Returns false when the image can't be read, leaving the row as it was
+async function useSourceImage(entry) {
+  const image = figma.getImageByHash(entry.imageHash);
+  if (!image) return false;
+  try {
+    const bytes = await image.getBytesAsync();
+    const imageSize = await image.getSizeAsync();
+    const node = await figma.getNodeByIdAsync(entry.id);
+    if (!node) return false;
+    entry.byteSize = bytes.length;
+    entry.naturalWidth = imageSize.width;
+    entry.naturalHeight = imageSize.height;
+    entry.type = 'existing-image';
+    entry.key = entry.id + ':' + entry.imageHash;
+    updateDisplayedSize(entry, node, node.fills[entry.usages[0].index]);
+    return true;
+  } catch (error) {
+    console.error('Error reading source image for', entry.name, error);
+    return false;
+  }
+}
+
+// Strip the paint itself so the location can be sent to the UI and back
+function getPaintUsage(imagePaint) {
+  return {
+    nodeId: imagePaint.nodeId,
+    property: imagePaint.property,
+    index: imagePaint.index,
+    start: imagePaint.start,
+    end: imagePaint.end,
+    regionIndex: imagePaint.regionIndex
+  };
+}
+
+// Name shown in the list - mark which paint it is when the node has several
+function getPaintDisplayName(node, imagePaint, imagePaints) {
+  if (imagePaints.length === 1 && imagePaint.property === 'fills') {
+    return node.name;
+  }
+  const sameKind = imagePaints.filter(item => item.property === imagePaint.property);
+  const label = imagePaint.property === 'strokes' ? 'stroke' : 'fill';
+  return node.name + ' (' + label + ' ' + (sameKind.indexOf(imagePaint) + 1) + ')';
+}
+
+// Swap the image hash in a paint list, keeping scaleMode, imageTransform, filters,
+// opacity and rotation. Falls back to searching by hash if the paint moved.
+// resizeRatio is set when the new image was downscaled, so tiles keep their size on canvas.
+function swapImageHash(paints, index, originalHash, newHash, resizeRatio) {
+  const newPaints = paints.slice();
+  let paintIndex = index;
+  const paint = newPaints[paintIndex];
+  if (!paint || paint.type !== 'IMAGE' || (originalHash && paint.imageHash !== originalHash)) {
+    paintIndex = newPaints.findIndex(item => item.type === 'IMAGE' && item.imageHash === originalHash);
+  }
+  if (paintIndex < 0) return null;
+  const update = { imageHash: newHash };
+  if (resizeRatio && newPaints[paintIndex].scaleMode === 'TILE') {
+    update.scalingFactor = (newPaints[paintIndex].scalingFactor || 1) / resizeRatio;
+  }
+  newPaints[paintIndex] = Object.assign({}, newPaints[paintIndex], update);
+  return newPaints;
+}
+
+// Write a new image hash back to the exact paint described by usage
+async function replaceImagePaint(node, usage, originalHash, newHash, resizeRatio) {
+  if (usage.property === 'regions') {
+    const network = node.vectorNetwork;
+    const region = network.regions[usage.regionIndex];
+    const fills = region && region.fills ? swapImageHash(region.fills, usage.index, originalHash, newHash, resizeRatio) : null;
+    if (!fills) return false;
+    const regions = network.regions.map((item, i) => i === usage.regionIndex ? Object.assign({}, item, { fills: fills }) : item);
+    await node.setVectorNetworkAsync(Object.assign({}, network, { regions: regions }));
+    return true;
+  }
+
+  if (usage.property === 'fills' && usage.start !== undefined) {
+    const rangeFills = node.getRangeFills(usage.start, usage.end);
+    const fills = rangeFills !== figma.mixed ? swapImageHash(rangeFills, usage.index, originalHash, newHash, resizeRatio) : null;
+    if (!fills) return false;
+    node.setRangeFills(usage.start, usage.end, fills);
+    return true;
+  }
+
+  const current = node[usage.property];
+  const paints = Array.isArray(current) ? swapImageHash(current, usage.index, originalHash, newHash, resizeRatio) : null;
+  if (!paints) return false;
+  node[usage.property] = paints;
+  return true;
+}
+
+// Scan results are streamed to the UI in pages as they are found instead of in one message
+const SCAN_PAGE_SIZE = 20;
+const SCAN_FLUSH_INTERVAL = 300; // Send a partial page after this many ms
+const THUMBNAIL_SIZE = 96; // Longest side of list previews, in pixels
+
+// The scan whose results are currently being streamed
+let scanStream = null;
+
+function beginScanStream(scanId, imageNodes) {
+  // A new scan replaces the running one - drop nodes the old scan still had queued
+  processingQueue = [];
+  scanStream = {
+    id: scanId,
+    entries: imageNodes,
+    changed: new Set(), // New entries and entries that gained usages since the last page
+    lastFlush: Date.now()
+  };
+}
+
+// Whether a scan should keep going: an older scan stops when a new one starts or on stop-processing
+function isScanActive(imageNodes) {
+  return !!scanStream && scanStream.entries === imageNodes && !scanStream.stopped;
+}
+
+function markScanEntryChanged(imageNodes, entry) {
+  if (scanStream && scanStream.entries === imageNodes) {
+    scanStream.changed.add(entry);
+  }
+}
+
+// Send changed entries once a page is full or the flush interval passed; force sends everything left
+function flushScanResults(force) {
+  if (!scanStream || scanStream.changed.size === 0) return;
+  const isDue = scanStream.changed.size >= SCAN_PAGE_SIZE || Date.now() - scanStream.lastFlush >= SCAN_FLUSH_INTERVAL;
+  if (!force && !isDue) return;
+
+  const items = Array.from(scanStream.changed);
+  scanStream.changed.clear();
+  scanStream.lastFlush = Date.now();
+  for (let i = 0; i < items.length; i += SCAN_PAGE_SIZE) {
+    figma.ui.postMessage({
+      type: 'scan-items',
+      scanId: scanStream.id,
+      items: items.slice(i, i + SCAN_PAGE_SIZE),
+      total: scanStream.entries.length
+    });
+  }
+}
+
+function endScanStream(imageNodes) {
+  if (!scanStream || scanStream.entries !== imageNodes) return;
+  flushScanResults(true);
+  figma.ui.postMessage({
+    type: 'scan-complete',
+    scanId: scanStream.id,
+    total: imageNodes.length
+  });
+  scanStream = null;
+}
+
+// Helper function to export a small PNG preview of a node for the list
+async function getThumbnail(node) {
+  const cacheKey = node.id + '_thumb';
+  if (exportCache.has(cacheKey)) {
+    return exportCache.get(cacheKey);
+  }
+
+  const constraint = node.width >= node.height
+    ? { type: 'WIDTH', value: Math.min(THUMBNAIL_SIZE, Math.max(1, Math.round(node.width))) }
+    : { type: 'HEIGHT', value: Math.min(THUMBNAIL_SIZE, Math.max(1, Math.round(node.height))) };
+  const thumbnail = await safeExportAsync(node, { format: 'PNG', constraint: constraint });
+
+  exportCache.set(cacheKey, thumbnail);
+  // Limit cache size to prevent memory issues
+  if (exportCache.size > 500) {
+    const firstKey = exportCache.keys().next().value;
+    exportCache.delete(firstKey);
+  }
+  return thumbnail;
+}
+
+// Live sync: selection changes and edits on the current page are sent to the UI so the
+// list can follow the canvas. documentchange would need every page loaded first under
+// dynamic page access, so only the current page is watched and re-attached on page switch.
+const CHANGE_FLUSH_DELAY = 300; // Coalesce bursts of edits (dragging, typing) into one message
+// Changes that don't alter how a layer renders; they refresh rows without making results stale
+const NON_VISUAL_PROPERTIES = ['name', 'exportSettings', 'locked', 'description', 'key', 'autoRename', 'guides', 'devStatus'];
+// The plugin writes its own plugin data while compressing; those writes are not edits
+const PLUGIN_DATA_PROPERTIES = ['pluginData', 'sharedPluginData'];
+
+let pendingChanges = null;
+let changeFlushTimer = null;
+let selectionFlushTimer = null;
+let watchedPage = null;
+
+function queueNodeChanges(changes) {
+  if (!pendingChanges) {
+    pendingChanges = { changed: new Set(), edited: new Set(), removed: new Set(), inSelection: false };
+  }
+  const selectedIds = new Set(figma.currentPage.selection.map(node => node.id));
+
+  for (const change of changes) {
+    if (change.type === 'DELETE') {
+      // Removed layers can't be traced to their parents anymore
+      pendingChanges.removed.add(change.id);
+      if (selectedIds.has(change.id)) pendingChanges.inSelection = true;
+      continue;
+    }
+    const node = change.node;
+    if (!node || node.removed) continue;
+    const properties = change.type === 'CREATE' ? [] :
+      change.properties.filter(property => !PLUGIN_DATA_PROPERTIES.includes(property));
+    if (change.type !== 'CREATE' && properties.length === 0) continue;
+    const isVisual = change.type === 'CREATE' ||
+      properties.some(property => !NON_VISUAL_PROPERTIES.includes(property));
+    if (!isVisual) {
+      pendingChanges.edited.add(node.id);
+      if (selectedIds.has(node.id)) pendingChanges.inSelection = true;
+      continue;
+    }
+    // A layer's edit also changes how every frame around it renders
+    for (let current = node; current && current.type !== 'PAGE' && current.type !== 'DOCUMENT'; current = current.parent) {
+      pendingChanges.changed.add(current.id);
+      exportCache.delete(current.id + '_thumb');
+      if (selectedIds.has(current.id)) pendingChanges.inSelection = true;
+    }
+  }
+
+  clearTimeout(changeFlushTimer);
+  changeFlushTimer = setTimeout(flushNodeChanges, CHANGE_FLUSH_DELAY);
+}
+
+function flushNodeChanges() {
+  if (!pendingChanges) return;
+  figma.ui.postMessage({
+    type: 'nodes-changed',
+    changedIds: Array.from(pendingChanges.changed),
+    editedIds: Array.from(pendingChanges.edited),
+    removedIds: Array.from(pendingChanges.removed),
+    inSelection: pendingChanges.inSelection, // Touches the selected layers or their contents
+    hasSelection: figma.currentPage.selection.length > 0
+  });
+  pendingChanges = null;
+}
+
+function postSelectionChange(pageChanged) {
+  clearTimeout(selectionFlushTimer);
+  selectionFlushTimer = setTimeout(() => {
+    figma.ui.postMessage({
+      type: 'selection-changed',
+      pageChanged: pageChanged
+    });
+  }, CHANGE_FLUSH_DELAY);
+}
+
+function watchCurrentPage() {
+  if (watchedPage) watchedPage.off('nodechange', onNodeChange);
+  watchedPage = figma.currentPage;
+  watchedPage.on('nodechange', onNodeChange);
+}
+
+function onNodeChange(event) {
+  queueNodeChanges(event.nodeChanges);
+}
+
+function startLiveSync() {
+  watchCurrentPage();
+  figma.on('selectionchange', () => postSelectionChange(false));
+  figma.on('currentpagechange', () => {
+    watchCurrentPage();
+    postSelectionChange(true);
+  });
+}
+
+// Layer types behind each type checkbox of the scan rules
+const SCAN_TYPE_GROUPS = {
+  shapes: ['RECTANGLE', 'ELLIPSE', 'POLYGON', 'STAR', 'VECTOR', 'LINE', 'BOOLEAN_OPERATION'],
+  text: ['TEXT'],
+  frames: ['FRAME', 'GROUP', 'SECTION'],
+  components: ['COMPONENT', 'COMPONENT_SET', 'INSTANCE']
+};
+
+// Shapes that can be exported as SVG or PDF, and the layers listed whole as vector assets (icons, logos)
+const VECTOR_SHAPE_TYPES = ['VECTOR', 'BOOLEAN_OPERATION', 'STAR', 'POLYGON', 'ELLIPSE', 'LINE', 'RECTANGLE'];
+const VECTOR_ASSET_TYPES = ['VECTOR', 'BOOLEAN_OPERATION', 'COMPONENT', 'INSTANCE'];
+const VECTOR_CHECK_LIMIT = 500; // Layers with bigger subtrees are not treated as vector assets
+
+// Helper function to tell whether a layer is drawn only with vector shapes - no bitmaps and no text
+function isVectorOnly(node) {
+  const stack = [node];
+  let checked = 0;
+  let shapes = 0;
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (++checked > VECTOR_CHECK_LIMIT) return false;
+    if (current.visible === false) continue;
+    if (getImagePaints(current).length > 0) return false;
+    if (VECTOR_SHAPE_TYPES.includes(current.type)) {
+      shapes++;
+      continue; // Boolean operations are drawn with their own fills
+    }
+    if (!['FRAME', 'GROUP', 'COMPONENT', 'INSTANCE'].includes(current.type)) return false;
+    stack.push(...current.children);
+  }
+  return shapes > 0;
+}
+
+// Helper function to find the names export file name templates can use: the layer's direct parent
+// and the top-level frame it sits in (empty for layers directly on the page)
+function getAncestorNames(node) {
+  const parent = node.parent && node.parent.type !== 'PAGE' ? node.parent : null;
+  let frame = node;
+  while (frame.parent && frame.parent.type !== 'PAGE' && frame.parent.type !== 'DOCUMENT') {
+    frame = frame.parent;
+  }
+  return {
+    parentName: parent ? parent.name : '',
+    frameName: frame !== node ? frame.name : ''
+  };
+}
+
+// Helper function to find the color a layer is shown on: the top visible solid fill of the closest
+// ancestor that has one, else the page background
+function getBackdropColor(node) {
+  const toHex = color => '#' + [color.r, color.g, color.b]
+    .map(channel => Math.round(channel * 255).toString(16).padStart(2, '0')).join('');
+  for (let parent = node.parent; parent && parent.type !== 'DOCUMENT'; parent = parent.parent) {
+    const fills = parent.type === 'PAGE' ? parent.backgrounds : parent.fills;
+    if (!Array.isArray(fills)) continue;
+    const solid = fills.slice().reverse().find(fill => fill.type === 'SOLID' && fill.visible !== false && fill.opacity !== 0);
+    if (solid) return toHex(solid.color);
+  }
+  return '#ffffff';
+}
+
+// Helper function to turn "hero*, !icon*" into include and exclude name matchers
+function parseNamePatterns(pattern) {
+  const patterns = { include: [], exclude: [] };
+  (pattern || '').split(',').map(part => part.trim()).filter(part => part.length > 0).forEach(part => {
+    const isExclude = part.charAt(0) === '!';
+    const glob = isExclude ? part.slice(1) : part;
+    const source = glob.split('*').map(piece => piece.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    (isExclude ? patterns.exclude : patterns.include).push(new RegExp('^' + source + '$', 'i'));
+  });
+  return patterns;
+}
+
+// Scan mode and detection rules sent by the UI. Without rules every layer is listed as before.
+function getScanOptions(msg) {
+  const rules = msg.rules || {};
+  return {
+    deep: msg.scanMode === 'deep', // Walk whole subtrees instead of exporting containers
+    typeGroups: rules.types || Object.keys(SCAN_TYPE_GROUPS),
+    skipHidden: !!rules.skipHidden,
+    skipLocked: !!rules.skipLocked,
+    onlyWithExportSettings: !!rules.onlyWithExportSettings,
+    minSize: parseFloat(rules.minSize) || 0,
+    namePatterns: parseNamePatterns(rules.namePattern),
+    page: figma.currentPage // Page the scanned nodes are on, shown to group results
+  };
+}
+
+// With dynamic page access, nodes on other pages can only be exported or edited once their page is loaded
+function getPage(node) {
+  let page = node;
+  while (page && page.type !== 'PAGE') {
+    page = page.parent;
+  }
+  return page;
+}
+
+async function ensurePageLoaded(node) {
+  const page = getPage(node);
+  if (page && page !== figma.currentPage) {
+    await page.loadAsync();
+  }
+}
+
+// Hidden and locked layers hide or lock everything inside them, so their subtree is skipped
+function isPrunedByScanRules(node, scanOptions) {
+  if (scanOptions.skipHidden && node.visible === false) return true;
+  if (scanOptions.skipLocked && node.locked === true) return true;
+  return false;
+}
+
+// Whether a layer itself may be listed; its children are still scanned in deep mode
+function matchesScanRules(node, scanOptions) {
+  const group = Object.keys(SCAN_TYPE_GROUPS).find(key => SCAN_TYPE_GROUPS[key].includes(node.type));
+  if (group && !scanOptions.typeGroups.includes(group)) return false;
+  if (scanOptions.minSize > 0 && Math.max(node.width || 0, node.height || 0) < scanOptions.minSize) return false;
+  if (scanOptions.onlyWithExportSettings && !(node.exportSettings && node.exportSettings.length > 0)) return false;
+
+  const name = node.name || '';
+  if (scanOptions.namePatterns.exclude.some(regex => regex.test(name))) return false;
+  if (scanOptions.namePatterns.include.length > 0 && !scanOptions.namePatterns.include.some(regex => regex.test(name))) return false;
+  return true;
+}
+
 // Helper function to process nodes in batches, non-blocking
-async function processNodeForImages(node, imageNodes, scale, useCurrentView) {
+async function processNodeForImages(node, imageNodes, scale, useCurrentView, scanOptions) {
   console.log('Processing node: ' + node.name + ' (type: ' + node.type + ')');
   
   // Add to queue instead of processing immediately
@@ -60,7 +605,8 @@ async function processNodeForImages(node, imageNodes, scale, useCurrentView) {
     node: node,
     imageNodes: imageNodes,
     scale: scale,
-    useCurrentView: useCurrentView
+    useCurrentView: useCurrentView,
+    scanOptions: scanOptions
   });
   
   // Start batch processing if not already running
@@ -87,17 +633,21 @@ async function processBatchQueue() {
       // Process batch items in parallel
       await Promise.all(batch.map(async (item) => {
         try {
-          await processNodeForImagesInternal(item.node, item.imageNodes, item.scale, item.useCurrentView);
+          await processNodeForImagesInternal(item.node, item.imageNodes, item.scale, item.useCurrentView, item.scanOptions);
         } catch (error) {
           console.error('Error processing node:', item.node.name, error);
           figma.ui.postMessage({
             type: 'image-processing-error',
+            nodeId: item.node.id,
             nodeName: item.node.name,
             error: error.message
           });
         }
       }));
       
+      // Stream what was found so far
+      flushScanResults(false);
+      
       // Update progress
       const remainingItems = processingQueue.length;
       if (remainingItems > 0) {
@@ -121,238 +671,914 @@ async function processBatchQueue() {
 function stopProcessing() {
   shouldStopProcessing = true;
   processingQueue = [];
+
+  // A running scan stops after the current node and reports what it found so far
+  if (scanStream) {
+    scanStream.stopped = true;
+  }
+
+  // Drop exports that haven't started yet
+  const pendingExports = exportQueue.splice(0, exportQueue.length);
+  pendingExports.forEach(item => item.reject(new Error('Processing stopped')));
 }
 
-async function processNodeForImagesInternal(node, imageNodes, scale, useCurrentView) {
+// Add children to processing queue instead of recursive calls
+async function queueChildren(node, imageNodes, scale, useCurrentView, scanOptions) {
+  if (!('children' in node) || node.children.length === 0) return;
+  for (let i = 0; i < node.children.length; i++) {
+    // Yield to UI every 10 children to prevent blocking
+    if (i > 0 && i % 10 === 0) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    processingQueue.push({
+      node: node.children[i],
+      imageNodes: imageNodes,
+      scale: scale,
+      useCurrentView: useCurrentView,
+      scanOptions: scanOptions
+    });
+  }
+}
+
+async function processNodeForImagesInternal(node, imageNodes, scale, useCurrentView, scanOptions) {
+  if (!scanOptions) scanOptions = getScanOptions({});
+
+  if (isPrunedByScanRules(node, scanOptions)) {
+    console.log('Skipping hidden or locked layer ' + node.name);
+    return;
+  }
+
   // Special handling for sections - add children to queue instead of recursive processing
   if (node.type === 'SECTION') {
     console.log('Processing SECTION: ' + node.name + ' with ' + (node.children ? node.children.length : 0) + ' children');
-    // Add children to processing queue instead of recursive calls
-    if ('children' in node && node.children.length > 0) {
-      for (let i = 0; i < node.children.length; i++) {
-        // Yield to UI every 10 children to prevent blocking
-        if (i > 0 && i % 10 === 0) {
-          await new Promise(resolve => setTimeout(resolve, 0));
+    await queueChildren(node, imageNodes, scale, useCurrentView, scanOptions);
+    return;
+  }
+
+  // Icons and other vector-only layers are listed whole - there are no images inside to look for
+  const isVectorAsset = VECTOR_ASSET_TYPES.includes(node.type) && isVectorOnly(node);
+
+  // Deep scan lists image layers nested anywhere inside containers individually
+  if (scanOptions.deep && !isVectorAsset) {
+    await queueChildren(node, imageNodes, scale, useCurrentView, scanOptions);
+  }
+
+  if (!matchesScanRules(node, scanOptions)) {
+    console.log('Layer ' + node.name + ' does not match the scan rules');
+    return;
+  }
+
+  // Check for existing image paints first (fills, strokes, text ranges and vector regions)
+  const imagePaints = getImagePaints(node);
+  if (imagePaints.length > 0) {
+    console.log('Node ' + node.name + ' has ' + imagePaints.length + ' image paints');
+  }
+  for (let j = 0; j < imagePaints.length; j++) {
+    const imagePaint = imagePaints[j];
+    const paint = imagePaint.paint;
+    const usage = getPaintUsage(imagePaint);
+    
+    // Yield to UI every few paints to prevent blocking
+    if (j > 0 && j % 3 === 0) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    
+    // A rendered export shows the whole node, so it only stands for the image
+    // when the node has a single plain image fill; otherwise use the source bytes
+    const isRendered = useCurrentView && imagePaints.length === 1 &&
+      usage.property === 'fills' && usage.start === undefined;
+    console.log('Found IMAGE ' + usage.property + ' paint in ' + node.name + ', rendered: ' + isRendered);
+    
+    // Same image already collected in this scan - just record another usage. A render bakes in
+    // its layer's crop and effects, so a shared row always compresses the source bytes
+    const existingEntry = imageNodes.find(item => item.imageHash === paint.imageHash);
+    if (existingEntry && (existingEntry.type === 'existing-image' || await useSourceImage(existingEntry))) {
+      existingEntry.usages.push(usage);
+      updateDisplayedSize(existingEntry, node, paint);
+      if (!existingEntry.nodeIds.includes(node.id)) {
+        existingEntry.nodeIds.push(node.id);
+        existingEntry.usageCount = existingEntry.nodeIds.length;
+      }
+      markScanEntryChanged(imageNodes, existingEntry);
+      console.log('Image in ' + node.name + ' is already listed, used in ' + existingEntry.usageCount + ' layers');
+      continue;
+    }
+    
+    try {
+      let byteSize;
+      let imageSize = null;
+
+      if (!isRendered) {
+        // Only the size of the original bytes is kept; they are fetched again when compressing
+        const image = figma.getImageByHash(paint.imageHash);
+        if (!image) {
+          console.log('Failed to get image by hash for ' + node.name);
+          continue;
+        }
+        const bytes = await image.getBytesAsync();
+        byteSize = bytes.length;
+        // Pixel size of the original image, used to downsample it to its displayed size
+        imageSize = await image.getSizeAsync();
+        console.log('Got image by hash for ' + node.name + ', size: ' + byteSize + ' bytes');
+      }
+
+      const thumbnail = await getThumbnail(node);
+
+      console.log('Adding ' + node.name + ' to image list');
+      console.log('Node dimensions:', node.width + 'x' + node.height);
+      console.log('Scale factor:', scale);
+      console.log('Calculated dimensions:', (node.width * scale) + 'x' + (node.height * scale));
+      
+      // Get all export settings from the node
+      let exportScales = [1]; // Default to 1x
+      let exportFormats = []; // Figma export formats
+      if (node.exportSettings && node.exportSettings.length > 0) {
+        const scaleSettings = [];
+        const formatSettings = [];
+        for (let i = 0; i < node.exportSettings.length; i++) {
+          // Yield to UI for large export settings arrays
+          if (i > 0 && i % 5 === 0) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+          }
+          const setting = node.exportSettings[i];
+          const scaleSpec = getScaleSpec(setting.constraint);
+          if ((setting.format === 'PNG' || setting.format === 'JPG') && !scaleSettings.includes(scaleSpec)) {
+            scaleSettings.push(scaleSpec);
+          }
+          if (setting.format && !formatSettings.includes(setting.format)) {
+            formatSettings.push(setting.format);
+          }
+        }
+        if (scaleSettings.length > 0) {
+          exportScales = scaleSettings;
+        }
+        if (formatSettings.length > 0) {
+          exportFormats = formatSettings;
+        }
+      }
+      
+      const entry = {
+        index: imageNodes.length, // Row position in the UI list
+        // Keeps the row's state across rescans; a replaced image or a render turned into a source row starts fresh
+        key: node.id + ':' + paint.imageHash + (isRendered ? ':rendered' : ''),
+        id: node.id,
+        name: getPaintDisplayName(node, imagePaint, imagePaints),
+        imageHash: paint.imageHash, // Used to group layers sharing the same image
+        usages: [usage], // Every paint (node + property + index) that shows this image
+        nodeIds: [node.id], // All layers that use this image
+        usageCount: 1,
+        thumbnail: thumbnail, // Small PNG preview; full bytes are requested with get-scaled-image
+        byteSize: byteSize, // Size of the original bytes, unknown for renders until exported
+        width: node.width * scale,
+        height: node.height * scale,
+        originalWidth: node.width,
+        originalHeight: node.height,
+        scale: scale,
+        exportScales: exportScales, // Add all export scales from Figma settings
+        exportFormats: exportFormats, // Add all export formats from Figma settings
+        nodeSettings: getNodeSettings(node), // Settings saved on the node in a previous session
+        pageId: scanOptions.page.id,
+        pageName: scanOptions.page.name,
+        ...getAncestorNames(node), // parentName and frameName, used by export file name templates
+        backdropColor: getBackdropColor(node), // Matte for formats without transparency
+        naturalWidth: imageSize ? imageSize.width : undefined, // Original image pixel size
+        naturalHeight: imageSize ? imageSize.height : undefined,
+        type: isRendered ? 'rendered-image' : 'existing-image'
+      };
+      updateDisplayedSize(entry, node, paint);
+      imageNodes.push(entry);
+      markScanEntryChanged(imageNodes, entry);
+    } catch (error) {
+      console.error('Error collecting image data for node', node.name, error);
+      // Send error to UI for user feedback
+      figma.ui.postMessage({
+        type: 'image-processing-error',
+        nodeId: node.id,
+        nodeName: node.name,
+        error: error.message
+      });
+    }
+  }
+
+  // Check if this is a container that we can export as image (deep scan lists its contents instead)
+  const canExportAsImage = isVectorAsset || (!scanOptions.deep && (node.type === 'FRAME' || 
+                          node.type === 'GROUP' || 
+                          node.type === 'COMPONENT' || 
+                          node.type === 'INSTANCE' ||
+                          node.type === 'COMPONENT_SET'));
+
+  if (canExportAsImage) {
+    console.log('Adding ' + node.name + ' (' + node.type + ') to export as image...');
+    try {
+      const thumbnail = await getThumbnail(node);
+      
+      // Get all export settings from the node
+      let exportScales = [1]; // Default to 1x
+      let exportFormats = []; // Figma export formats
+      if (node.exportSettings && node.exportSettings.length > 0) {
+        const scaleSettings = [];
+        const formatSettings = [];
+        for (let i = 0; i < node.exportSettings.length; i++) {
+          // Yield to UI for large export settings arrays
+          if (i > 0 && i % 5 === 0) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+          }
+          const setting = node.exportSettings[i];
+          const scaleSpec = getScaleSpec(setting.constraint);
+          if ((setting.format === 'PNG' || setting.format === 'JPG') && !scaleSettings.includes(scaleSpec)) {
+            scaleSettings.push(scaleSpec);
+          }
+          if (setting.format && !formatSettings.includes(setting.format)) {
+            formatSettings.push(setting.format);
+          }
+        }
+        if (scaleSettings.length > 0) {
+          exportScales = scaleSettings;
+        }
+        if (formatSettings.length > 0) {
+          exportFormats = formatSettings;
+        }
+      }
+      
+      const entry = {
+        index: imageNodes.length, // Row position in the UI list
+        key: node.id, // Keeps the row's state across rescans
+        id: node.id,
+        name: node.name,
+        nodeIds: [node.id],
+        usageCount: 1,
+        thumbnail: thumbnail, // Small PNG preview; full bytes are requested with get-scaled-image
+        width: node.width * scale,
+        height: node.height * scale,
+        originalWidth: node.width,
+        originalHeight: node.height,
+        scale: scale,
+        exportScales: exportScales, // Add all export scales from Figma settings
+        exportFormats: exportFormats, // Add all export formats from Figma settings
+        nodeSettings: getNodeSettings(node), // Settings saved on the node in a previous session
+        pageId: scanOptions.page.id,
+        pageName: scanOptions.page.name,
+        ...getAncestorNames(node), // parentName and frameName, used by export file name templates
+        backdropColor: getBackdropColor(node), // Matte for formats without transparency
+        isVector: isVectorAsset || isVectorOnly(node), // Can be exported as SVG or PDF
+        nodeType: node.type, // Frames, groups and instances can be flattened in place
+        type: 'generated-image'
+      };
+      imageNodes.push(entry);
+      markScanEntryChanged(imageNodes, entry);
+    } catch (error) {
+      console.error('Error exporting node as image:', node.name, error);
+      // Send error to UI for user feedback
+      figma.ui.postMessage({
+        type: 'image-processing-error',
+        nodeId: node.id,
+        nodeName: node.name,
+        error: error.message
+      });
+    }
+  }
+}
+
+// Helper function to tell the encoding of image bytes from their signature
+function getImageFormat(bytes) {
+  if (bytes.length >= 4 && bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4E && bytes[3] === 0x47) return 'PNG';
+  if (bytes.length >= 3 && bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) return 'JPEG';
+  if (bytes.length >= 3 && bytes[0] === 0x47 && bytes[1] === 0x49 && bytes[2] === 0x46) return 'GIF';
+  if (bytes.length >= 12 && bytes[0] === 0x52 && bytes[1] === 0x49 && bytes[2] === 0x46 && bytes[3] === 0x46 &&
+    bytes[8] === 0x57 && bytes[9] === 0x45 && bytes[10] === 0x42 && bytes[11] === 0x50) return 'WEBP';
+  return 'Unknown';
+}
+
+// Roots to audit for a scope: the selection (or current page), the current page or every page
+async function getAuditRoots(scope) {
+  if (scope === 'document') {
+    const pages = figma.root.children;
+    for (const page of pages) {
+      // Pages other than the current one are not loaded with dynamic page access
+      await page.loadAsync();
+    }
+    return pages.map(page => ({ node: page, page: page }));
+  }
+  if (scope !== 'page' && figma.currentPage.selection.length > 0) {
+    return figma.currentPage.selection.map(node => ({ node: node, page: figma.currentPage }));
+  }
+  return [{ node: figma.currentPage, page: figma.currentPage }];
+}
+
+// Audit report: every unique image in scope with its weight and where it is used, without compressing anything
+async function buildImageAudit(msg) {
+  const scanOptions = getScanOptions(msg);
+  const roots = await getAuditRoots(msg.scope);
+  const rows = new Map();
+  let visited = 0;
+
+  shouldStopProcessing = false;
+  figma.ui.postMessage({ type: 'scan-progress', message: 'Finding images...' });
+
+  // Iterative traversal so deep documents don't blow the stack
+  for (const root of roots) {
+    const stack = [root.node];
+    while (stack.length > 0 && !shouldStopProcessing) {
+      const node = stack.pop();
+      if (node.type !== 'PAGE' && isPrunedByScanRules(node, scanOptions)) continue;
+      if ('children' in node) {
+        for (let i = node.children.length - 1; i >= 0; i--) {
+          stack.push(node.children[i]);
+        }
+      }
+      if (node.type === 'PAGE' || !matchesScanRules(node, scanOptions)) continue;
+
+      // Yield to UI every 200 layers to prevent blocking
+      if (++visited % 200 === 0) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+
+      for (const imagePaint of getImagePaints(node)) {
+        const hash = imagePaint.paint.imageHash;
+        let row = rows.get(hash);
+        if (!row) {
+          row = { imageHash: hash, nodeIds: [], layers: [], pages: [], usages: 0, paints: [] };
+          rows.set(hash, row);
+        }
+        row.usages++;
+        row.paints.push({ node: node, paint: imagePaint.paint });
+        if (!row.nodeIds.includes(node.id)) {
+          row.nodeIds.push(node.id);
+          row.layers.push(node.name);
+        }
+        if (!row.pages.includes(root.page.name)) {
+          row.pages.push(root.page.name);
         }
-        processingQueue.push({
-          node: node.children[i],
-          imageNodes: imageNodes,
-          scale: scale,
-          useCurrentView: useCurrentView
-        });
       }
     }
-    return;
   }
 
-  // Check for existing image fills first
-  if ('fills' in node && node.fills && node.fills.length > 0) {
-    console.log('Node ' + node.name + ' has ' + node.fills.length + ' fills');
-    for (let j = 0; j < node.fills.length; j++) {
-      const fill = node.fills[j];
-      
-      // Yield to UI every few fills to prevent blocking
-      if (j > 0 && j % 3 === 0) {
-        await new Promise(resolve => setTimeout(resolve, 0));
-      }
-      if (fill.type === 'IMAGE') {
-        console.log('Found IMAGE fill in ' + node.name + ', useCurrentView: ' + useCurrentView);
-        try {
-          let imageData;
-          
-          // Create cache key for this export operation
-          const cacheKey = node.id + '_' + scale + '_' + (useCurrentView ? 'rendered' : fill.imageHash);
-          
-          // Check cache first
-          if (exportCache.has(cacheKey)) {
-            console.log('Using cached image data for ' + node.name);
-            imageData = exportCache.get(cacheKey);
-          } else {
-            if (useCurrentView) {
-              console.log('Exporting ' + node.name + ' at scale ' + scale + '...');
-              const exportSettings = {
-                format: 'PNG',
-                constraint: { type: 'SCALE', value: scale }
-              };
-              imageData = await safeExportAsync(node, exportSettings);
-              console.log('Successfully exported ' + node.name + ', size: ' + imageData.length + ' bytes');
-            } else if (fill.imageHash) {
-              console.log('Getting image by hash for ' + node.name + '...');
-              const image = figma.getImageByHash(fill.imageHash);
-              imageData = image ? await image.getBytesAsync() : undefined;
-              if (imageData) {
-                console.log('Successfully got image by hash for ' + node.name + ', size: ' + imageData.length + ' bytes');
-              } else {
-                console.log('Failed to get image by hash for ' + node.name);
-              }
-            }
-            
-            // Cache the result if successful
-            if (imageData) {
-              exportCache.set(cacheKey, imageData);
-              // Limit cache size to prevent memory issues
-              if (exportCache.size > 100) {
-                const firstKey = exportCache.keys().next().value;
-                exportCache.delete(firstKey);
-              }
-            }
-          }
+  // Weigh each unique image once
+  const report = [];
+  let measured = 0;
+  for (const row of rows.values()) {
+    if (shouldStopProcessing) break;
+    measured++;
+    if (measured % 10 === 0) {
+      figma.ui.postMessage({
+        type: 'scan-progress',
+        message: 'Measuring images... (' + measured + '/' + rows.size + ')'
+      });
+    }
+
+    const image = figma.getImageByHash(row.imageHash);
+    if (!image) continue;
+    const bytes = await image.getBytesAsync();
+    const size = await image.getSizeAsync();
+
+    const entry = {
+      imageHash: row.imageHash,
+      byteSize: bytes.length,
+      width: size.width,
+      height: size.height,
+      format: getImageFormat(bytes),
+      usageCount: row.nodeIds.length, // Layers using the image
+      paintCount: row.usages, // Paints using the image (a layer can use it more than once)
+      nodeIds: row.nodeIds,
+      layers: row.layers,
+      pages: row.pages,
+      naturalWidth: size.width,
+      naturalHeight: size.height
+    };
+    row.paints.forEach(item => updateDisplayedSize(entry, item.node, item.paint));
+    report.push(entry);
+  }
+
+  return report;
+}
+
+// Select nodes and bring them into view, switching to their page if needed
+async function selectAndZoomToNodes(nodeIds) {
+  const nodes = [];
+  for (const nodeId of nodeIds) {
+    const node = await figma.getNodeByIdAsync(nodeId);
+    if (node && node.type !== 'PAGE' && node.type !== 'DOCUMENT') nodes.push(node);
+  }
+  if (nodes.length === 0) {
+    throw new Error('Layers not found');
+  }
+
+  // Only one page can be shown - use the page of the first layer
+  let page = nodes[0];
+  while (page.type !== 'PAGE') {
+    page = page.parent;
+  }
+  if (page !== figma.currentPage) {
+    await figma.setCurrentPageAsync(page);
+  }
+
+  const nodesOnPage = nodes.filter(node => {
+    let parent = node;
+    while (parent && parent.type !== 'PAGE') {
+      parent = parent.parent;
+    }
+    return parent === page;
+  });
+  figma.currentPage.selection = nodesOnPage;
+  figma.viewport.scrollAndZoomIntoView(nodesOnPage);
+  return nodesOnPage.length;
+}
+
+// Plugin data keys used to restore originals after replacement
+const ORIGINAL_IMAGES_KEY = 'originalImages';
+const ORIGINAL_EXPORT_SETTINGS_KEY = 'originalExportSettings';
+
+// Replacements run one after another so a batch can be closed with a single undo step
+let replaceQueue = Promise.resolve();
+let replaceBatchCount = 0;
+let replaceBatchFailed = 0;
+
+function getOriginalImageRecords(node) {
+  try {
+    const raw = node.getPluginData(ORIGINAL_IMAGES_KEY);
+    return raw ? JSON.parse(raw) : [];
+  } catch (error) {
+    console.error('Failed to read original images for ' + node.name, error);
+    return [];
+  }
+}
+
+function isSamePaintLocation(a, b) {
+  return a.property === b.property && a.index === b.index && a.start === b.start &&
+    a.end === b.end && a.regionIndex === b.regionIndex;
+}
+
+// Remember which image a paint showed before the plugin replaced it.
+// A paint replaced several times keeps its very first original.
+function recordOriginalImage(node, usage, originalHash, newHash, resizeRatio) {
+  const records = getOriginalImageRecords(node);
+  const existing = records.find(record => record.replacedHash === originalHash && isSamePaintLocation(record, usage));
+  if (existing) {
+    existing.replacedHash = newHash;
+    existing.resizeRatio = (existing.resizeRatio || 1) * (resizeRatio || 1);
+  } else {
+    records.push({
+      property: usage.property,
+      index: usage.index,
+      start: usage.start,
+      end: usage.end,
+      regionIndex: usage.regionIndex,
+      originalHash: originalHash,
+      replacedHash: newHash,
+      resizeRatio: resizeRatio || 1
+    });
+  }
+  node.setPluginData(ORIGINAL_IMAGES_KEY, JSON.stringify(records));
+}
+
+// Frames flattened in place: the image rectangle keeps a record of the original it replaced
+const FLATTENED_ORIGINAL_KEY = 'flattenedOriginal';
+const FLATTENABLE_TYPES = ['FRAME', 'GROUP', 'INSTANCE'];
+const ARCHIVE_PAGE_NAME = 'Image Compressor archive';
+// Copied from the original in this order - positioning before sizing
+const FLATTENED_PROPERTIES = ['locked', 'opacity', 'blendMode', 'effects', 'constraints', 'layoutAlign', 'layoutGrow',
+  'layoutPositioning', 'layoutSizingHorizontal', 'layoutSizingVertical', 'minWidth', 'maxWidth', 'minHeight', 'maxHeight',
+  'cornerRadius', 'topLeftRadius', 'topRightRadius', 'bottomLeftRadius', 'bottomRightRadius', 'cornerSmoothing'];
+
+// Remember a node's export settings before the plugin changes them the first time
+function recordOriginalExportSettings(node) {
+  if (!node.getPluginData(ORIGINAL_EXPORT_SETTINGS_KEY)) {
+    node.setPluginData(ORIGINAL_EXPORT_SETTINGS_KEY, JSON.stringify(node.exportSettings || []));
+  }
+}
+
+// Write a compressed image to every paint that showed the original. Returns the number of layers changed.
+async function replaceCompressedImage(msg) {
+  // Every paint that shows the image; older messages only carry node ids
+  const nodeIds = msg.nodeIds && msg.nodeIds.length > 0 ? msg.nodeIds : [msg.nodeId];
+  const usages = msg.usages && msg.usages.length > 0
+    ? msg.usages
+    : nodeIds.map(nodeId => ({ nodeId: nodeId, property: 'fills', index: -1 }));
+
+  // Create new image from compressed data once for all paints
+  const compressedImageData = new Uint8Array(msg.compressedImageData);
+  const newImage = figma.createImage(compressedImageData);
+  
+  const replacedNodeIds = [];
+  for (const usage of usages) {
+    const node = await figma.getNodeByIdAsync(usage.nodeId);
+    if (!node) continue;
+    await ensurePageLoaded(node);
+
+    if (!msg.imageHash && 'fills' in node && Array.isArray(node.fills)) {
+      // No original hash known - replace every image fill on the node
+      const imageFills = node.fills
+        .map((fill, index) => ({ fill: fill, index: index }))
+        .filter(item => item.fill.type === 'IMAGE');
+      if (imageFills.length === 0) continue;
+      node.fills = node.fills.map(function(fill) {
+        if (fill.type === 'IMAGE') {
+          return Object.assign({}, fill, {
+            imageHash: newImage.hash
+          });
+        }
+        return fill;
+      });
+      imageFills.forEach(item => {
+        recordOriginalImage(node, { property: 'fills', index: item.index }, item.fill.imageHash, newImage.hash);
+      });
+    } else if (await replaceImagePaint(node, usage, msg.imageHash, newImage.hash, msg.resizeRatio)) {
+      recordOriginalImage(node, usage, msg.imageHash, newImage.hash, msg.resizeRatio);
+    } else {
+      console.log('Image paint not found on ' + node.name + ', skipping');
+      continue;
+    }
+
+    if (!replacedNodeIds.includes(node.id)) {
+      replacedNodeIds.push(node.id);
+    }
+  }
+
+  if (replacedNodeIds.length === 0) {
+    throw new Error('Could not find the image to replace');
+  }
+  
+  console.log('Replaced image in ' + replacedNodeIds.length + ' layers');
+  return replacedNodeIds.length;
+}
+
+// Flattened frames are exported upright and without their own effects, opacity and blend mode,
+// since the image rectangle that replaces them gets those back as live properties
+async function exportFlattenSource(node, exportSettings, requestId) {
+  const clone = node.clone();
+  try {
+    getPage(node).appendChild(clone); // Off the parent, so auto layout doesn't reflow
+    clone.rotation = 0;
+    clone.opacity = 1;
+    if ('effects' in clone) clone.effects = [];
+    return await safeExportAsync(clone, Object.assign({ useAbsoluteBounds: true }, exportSettings), requestId);
+  } finally {
+    clone.remove();
+  }
+}
+
+// Helper function to carry layout, shape and appearance over to a flattened image;
+// properties the rectangle can't take in its parent are skipped
+function copyFlattenedProperties(source, target) {
+  for (const property of FLATTENED_PROPERTIES) {
+    if (!(property in source) || !(property in target)) continue;
+    let value = source[property];
+    if (value === figma.mixed) continue; // Mixed corner radii are copied corner by corner
+    if (property === 'blendMode' && value === 'PASS_THROUGH') value = 'NORMAL';
+    if ((property === 'layoutSizingHorizontal' || property === 'layoutSizingVertical') && value === 'HUG') value = 'FIXED';
+    try {
+      target[property] = value;
+    } catch (error) {
+      console.log('Could not copy ' + property + ' to the flattened image of ' + source.name);
+    }
+  }
+}
+
+async function getArchivePage() {
+  let page = figma.root.children.find(child => child.name === ARCHIVE_PAGE_NAME);
+  if (!page) {
+    page = figma.createPage();
+    page.name = ARCHIVE_PAGE_NAME;
+  }
+  await page.loadAsync();
+  return page;
+}
+
+// Swap a frame, group or instance for an image rectangle at the same index in its parent.
+// The original is hidden behind it or moved to the archive page until it is restored.
+async function flattenFrameInPlace(msg) {
+  const node = await figma.getNodeByIdAsync(msg.nodeId);
+  if (!node || !node.parent) {
+    throw new Error('Layer not found');
+  }
+  if (!FLATTENABLE_TYPES.includes(node.type)) {
+    throw new Error('Only frames, groups and instances can be flattened');
+  }
+  await ensurePageLoaded(node);
+
+  const parent = node.parent;
+  const newImage = figma.createImage(new Uint8Array(msg.compressedImageData));
+  const rectangle = figma.createRectangle();
+  try {
+    rectangle.name = node.name;
+    rectangle.resize(Math.max(0.01, node.width), Math.max(0.01, node.height));
+    rectangle.fills = [{ type: 'IMAGE', imageHash: newImage.hash, scaleMode: 'FILL' }];
+    parent.insertChild(parent.children.indexOf(node), rectangle);
+    // Absolute positioning and sizing first: auto layout ignores the transform of a child in its flow
+    copyFlattenedProperties(node, rectangle);
+    rectangle.relativeTransform = node.relativeTransform; // Position and rotation
+    rectangle.exportSettings = node.exportSettings;
+  } catch (error) {
+    rectangle.remove();
+    throw error;
+  }
+
+  rectangle.setPluginData(FLATTENED_ORIGINAL_KEY, JSON.stringify({ originalId: node.id, visible: node.visible }));
+  if (msg.archive) {
+    (await getArchivePage()).appendChild(node);
+  } else {
+    node.visible = false;
+  }
+  return 1;
+}
+
+// Put a flattened original back where its image rectangle is now and remove the rectangle
+async function restoreFlattenedFrame(rectangle) {
+  let record;
+  try {
+    record = JSON.parse(rectangle.getPluginData(FLATTENED_ORIGINAL_KEY));
+  } catch (error) {
+    console.error('Failed to read flattened original for ' + rectangle.name, error);
+    return { restored: 0, failed: 1 };
+  }
+  const original = await figma.getNodeByIdAsync(record.originalId);
+  if (!original || !rectangle.parent) {
+    console.log('Original of flattened ' + rectangle.name + ' no longer exists');
+    return { restored: 0, failed: 1 };
+  }
+  await ensurePageLoaded(original);
+
+  const archivePage = getPage(original);
+  const parent = rectangle.parent;
+  parent.insertChild(parent.children.indexOf(rectangle), original);
+  original.relativeTransform = rectangle.relativeTransform; // Follows the image if it was moved
+  original.visible = record.visible;
+  rectangle.remove();
+
+  // Drop the archive page once nothing is left on it
+  if (archivePage && archivePage.name === ARCHIVE_PAGE_NAME && archivePage.children.length === 0 && archivePage !== figma.currentPage) {
+    archivePage.remove();
+  }
+  return { restored: 1, failed: 0 };
+}
+
+// Figma can only export these raster formats; WebP and AVIF fall back to PNG
+const FIGMA_EXPORT_FORMATS = { PNG: 'PNG', JPEG: 'JPG', WEBP: 'PNG', AVIF: 'PNG', SVG: 'SVG', PDF: 'PDF' };
+
+// Scales travel between the UI and here as a number for a scale factor, or as "512w" / "1080h"
+// for a fixed width or height in px - the three constraints Figma export settings support
+function getScaleSpec(constraint) {
+  if (!constraint || constraint.type === 'SCALE') return constraint ? constraint.value : 1;
+  return constraint.value + (constraint.type === 'WIDTH' ? 'w' : 'h');
+}
+
+function getExportConstraint(scale) {
+  const match = /^(\d*\.?\d+)([wh]?)$/.exec(String(scale));
+  if (!match) return { type: 'SCALE', value: 1 };
+  const value = parseFloat(match[1]);
+  if (match[2] === 'w') return { type: 'WIDTH', value: value };
+  if (match[2] === 'h') return { type: 'HEIGHT', value: value };
+  return { type: 'SCALE', value: value };
+}
+
+// Suffix Figma's Export panel uses for a scale: none for 1x, "@2x" and so on otherwise.
+// Width and height presets get "@512w" / "@1080h" so their files don't clash.
+function getScaleSuffix(scale) {
+  const constraint = getExportConstraint(scale);
+  if (constraint.type !== 'SCALE') return '@' + scale;
+  return constraint.value === 1 ? '' : '@' + constraint.value + 'x';
+}
+
+function describeExportSetting(setting) {
+  let constraint = '';
+  if (setting.constraint) {
+    constraint = setting.constraint.type === 'SCALE'
+      ? ' ' + setting.constraint.value + 'x'
+      : ' ' + setting.constraint.type.toLowerCase() + ' ' + setting.constraint.value;
+  } else if (setting.format === 'PNG' || setting.format === 'JPG') {
+    constraint = ' 1x';
+  }
+  return setting.format + constraint + (setting.suffix ? ' "' + setting.suffix + '"' : '');
+}
+
+// Work out the export settings a node should have for the chosen scales and format.
+// Raster presets (scale, width or height) are updated or added; vector presets are left alone,
+// and presets for scales that are no longer chosen are removed only when removeUnchecked is set.
+// Figma's ExportSettingsImage has no quality field, so JPG quality can't be carried over.
+function planExportSettings(node, scales, format, removeUnchecked) {
+  const figmaFormat = FIGMA_EXPORT_FORMATS[format] || 'PNG';
+  const scaleValues = scales.map(scale => String(getScaleSpec(getExportConstraint(scale))));
+  const exportSettings = [];
+  const changes = [];
+  const warnings = [];
+  const covered = [];
+
+  // Vector presets have no scale - a single preset covers every size
+  if (format === 'SVG' || format === 'PDF') {
+    const vectorSettings = (node.exportSettings || []).slice();
+    const vectorChanges = vectorSettings.map(setting => ({ action: 'keep', label: describeExportSetting(setting) }));
+    if (!vectorSettings.some(setting => setting.format === format)) {
+      const added = { format: format, suffix: '' };
+      vectorSettings.push(added);
+      vectorChanges.push({ action: 'add', label: describeExportSetting(added) });
+    }
+    return { exportSettings: vectorSettings, changes: vectorChanges, warnings: warnings };
+  }
+
+  if (format === 'WEBP' || format === 'AVIF') {
+    warnings.push('Figma can\'t export ' + (format === 'WEBP' ? 'WebP' : 'AVIF') + ' - PNG presets are used instead');
+  }
+
+  for (const setting of node.exportSettings || []) {
+    const isRasterPreset = setting.format === 'PNG' || setting.format === 'JPG';
+    if (!isRasterPreset) {
+      exportSettings.push(setting);
+      changes.push({ action: 'keep', label: describeExportSetting(setting) });
+      continue;
+    }
+
+    const scale = String(getScaleSpec(setting.constraint));
+    if (scaleValues.includes(scale) && !covered.includes(scale)) {
+      covered.push(scale);
+      const updated = Object.assign({}, setting, {
+        format: figmaFormat,
+        suffix: getScaleSuffix(scale),
+        constraint: getExportConstraint(scale)
+      });
+      const isSame = setting.format === updated.format && (setting.suffix || '') === updated.suffix && !!setting.constraint;
+      exportSettings.push(updated);
+      changes.push({
+        action: isSame ? 'keep' : 'update',
+        label: isSame ? describeExportSetting(setting) : describeExportSetting(setting) + ' → ' + describeExportSetting(updated)
+      });
+    } else if (removeUnchecked) {
+      changes.push({ action: 'remove', label: describeExportSetting(setting) });
+    } else {
+      exportSettings.push(setting);
+      changes.push({ action: 'keep', label: describeExportSetting(setting) });
+    }
+  }
+
+  for (const scale of scaleValues) {
+    if (covered.includes(scale)) continue;
+    const added = {
+      format: figmaFormat,
+      suffix: getScaleSuffix(scale),
+      constraint: getExportConstraint(scale)
+    };
+    exportSettings.push(added);
+    changes.push({ action: 'add', label: describeExportSetting(added) });
+  }
+
+  return { exportSettings: exportSettings, changes: changes, warnings: warnings };
+}
+
+// Put the original images and export settings back on a node. Returns restored and failed paint counts.
+async function restoreNodeOriginals(node) {
+  if (node.getPluginData(FLATTENED_ORIGINAL_KEY)) {
+    return restoreFlattenedFrame(node);
+  }
+
+  let restored = 0;
+  let failed = 0;
+
+  const records = getOriginalImageRecords(node);
+  const remaining = [];
+  for (const record of records) {
+    const image = figma.getImageByHash(record.originalHash);
+    const swapped = image
+      ? await replaceImagePaint(node, record, record.replacedHash, record.originalHash, 1 / (record.resizeRatio || 1))
+      : false;
+    if (swapped) {
+      restored++;
+    } else {
+      console.log('Could not restore original image on ' + node.name);
+      failed++;
+      // Keep records whose image is gone, drop ones whose paint no longer exists
+      if (!image) remaining.push(record);
+    }
+  }
+  node.setPluginData(ORIGINAL_IMAGES_KEY, remaining.length > 0 ? JSON.stringify(remaining) : '');
+
+  const originalExportSettings = node.getPluginData(ORIGINAL_EXPORT_SETTINGS_KEY);
+  if (originalExportSettings) {
+    node.exportSettings = JSON.parse(originalExportSettings);
+    node.setPluginData(ORIGINAL_EXPORT_SETTINGS_KEY, '');
+    restored++;
+  }
+
+  return { restored: restored, failed: failed };
+}
+
+// Find nodes carrying replacement records in the selection (and its children), on the whole page
+// or, for the document scope, on every page
+async function findNodesWithOriginals(scope) {
+  const keys = [ORIGINAL_IMAGES_KEY, ORIGINAL_EXPORT_SETTINGS_KEY, FLATTENED_ORIGINAL_KEY];
+  const hasOriginals = node => keys.some(key => !!node.getPluginData(key));
+  let roots;
+  if (scope === 'document') {
+    roots = figma.root.children;
+    for (const page of roots) {
+      await page.loadAsync();
+    }
+  } else {
+    roots = figma.currentPage.selection.length > 0 ? figma.currentPage.selection : [figma.currentPage];
+  }
+  const nodes = [];
+
+  for (const root of roots) {
+    if (root.type !== 'PAGE' && hasOriginals(root)) {
+      nodes.push(root);
+    }
+    if ('findAllWithCriteria' in root) {
+      for (const key of keys) {
+        for (const node of root.findAllWithCriteria({ pluginData: { keys: [key] } })) {
+          if (!nodes.includes(node)) nodes.push(node);
+        }
+      }
+    }
+  }
+
+  return nodes;
+}
+
+// Put back the original images and export settings of replaced layers; resolves to a summary
+async function restoreOriginals(scope) {
+  const nodes = await findNodesWithOriginals(scope);
+  if (nodes.length === 0) {
+    return 'No replaced images found to restore';
+  }
+
+  figma.commitUndo();
+  let restored = 0;
+  let failed = 0;
+  for (const node of nodes) {
+    const result = await restoreNodeOriginals(node);
+    restored += result.restored;
+    failed += result.failed;
+  }
+  figma.commitUndo();
+
+  console.log('Restored ' + restored + ' originals, ' + failed + ' failed');
+  return 'Restored ' + restored + ' original' + (restored !== 1 ? 's' : '') +
+    (failed > 0 ? ', ' + failed + ' could not be restored' : '');
+}
 
-          if (imageData) {
-            console.log('Adding ' + node.name + ' to image list');
-            console.log('Node dimensions:', node.width + 'x' + node.height);
-            console.log('Scale factor:', scale);
-            console.log('Calculated dimensions:', (node.width * scale) + 'x' + (node.height * scale));
-            
-            // Get all export settings from the node
-            let exportScales = [1]; // Default to 1x
-            let exportFormats = []; // Figma export formats
-            if (node.exportSettings && node.exportSettings.length > 0) {
-              const scaleSettings = [];
-              const formatSettings = [];
-              for (let i = 0; i < node.exportSettings.length; i++) {
-                // Yield to UI for large export settings arrays
-                if (i > 0 && i % 5 === 0) {
-                  await new Promise(resolve => setTimeout(resolve, 0));
-                }
-                const setting = node.exportSettings[i];
-                if (setting.constraint && setting.constraint.type === 'SCALE') {
-                  scaleSettings.push(setting.constraint.value);
-                }
-                if (setting.format && !formatSettings.includes(setting.format)) {
-                  formatSettings.push(setting.format);
-                }
-              }
-              if (scaleSettings.length > 0) {
-                exportScales = scaleSettings;
-              }
-              if (formatSettings.length > 0) {
-                exportFormats = formatSettings;
-              }
-            }
-            
-            imageNodes.push({
-              id: node.id,
-              name: node.name,
-              imageData: Array.from(imageData),
-              width: node.width * scale,
-              height: node.height * scale,
-              originalWidth: node.width,
-              originalHeight: node.height,
-              scale: scale,
-              exportScales: exportScales, // Add all export scales from Figma settings
-              exportFormats: exportFormats, // Add all export formats from Figma settings
-              type: useCurrentView ? 'rendered-image' : 'existing-image'
-            });
-            break; // Only take first image fill
-          } else {
-            console.log('No image data obtained for ' + node.name);
-          }
-        } catch (error) {
-          console.error('Error collecting image data for node', node.name, error);
-          // Send error to UI for user feedback
-          figma.ui.postMessage({
-            type: 'image-processing-error',
-            nodeName: node.name,
-            error: error.message
-          });
-        }
-      }
+// Progress of a menu command stays on screen until the next update
+function notifyHeadlessProgress(message) {
+  if (headlessNotification) headlessNotification.cancel();
+  headlessNotification = figma.notify(message, { timeout: Infinity });
+}
+
+function finishHeadlessRun(message) {
+  if (headlessNotification) headlessNotification.cancel();
+  figma.closePlugin(message);
+}
+
+// Quick Actions suggestions for the parameters of menu commands
+figma.parameters.on('input', async ({ key, query, result }) => {
+  const matches = name => name.toLowerCase().includes(query.toLowerCase());
+  if (key === 'preset') {
+    const names = (await loadPresets()).map(preset => preset.name);
+    if (names.length === 0) {
+      result.setError('No presets yet - save one in the Image Compressor panel');
+      return;
+    }
+    result.setSuggestions(names.filter(matches));
+  } else if (key === 'format') {
+    result.setSuggestions(HEADLESS_FORMATS.filter(format => matches(format.name)));
+  } else if (key === 'quality') {
+    const quality = parseInt(query);
+    if (query && !(quality >= 1 && quality <= 100)) {
+      result.setError('Enter a quality from 1 to 100');
+      return;
     }
+    result.setSuggestions(query ? [String(quality)] : HEADLESS_QUALITIES);
   }
+});
 
-  // Check if this is a container that we can export as image
-  const canExportAsImage = node.type === 'FRAME' || 
-                          node.type === 'GROUP' || 
-                          node.type === 'COMPONENT' || 
-                          node.type === 'INSTANCE' ||
-                          node.type === 'COMPONENT_SET';
+// Menu commands arrive here, with their parameters once Quick Actions has collected them
+figma.on('run', async ({ command, parameters }) => {
+  if (!HEADLESS_COMMANDS.includes(command)) return;
 
-  if (canExportAsImage) {
-    console.log('Attempting to export ' + node.name + ' (' + node.type + ') as image...');
+  if (command === 'restore-originals') {
     try {
-      // Check cache for frame export
-      const frameCacheKey = node.id + '_frame_' + scale;
-      let imageData;
-      
-      if (exportCache.has(frameCacheKey)) {
-        console.log('Using cached frame data for ' + node.name);
-        imageData = exportCache.get(frameCacheKey);
-      } else {
-        const exportSettings = { 
-          format: 'PNG',
-          constraint: {
-            type: 'SCALE',
-            value: scale
-          }
-        };
-        
-        console.log('Exporting ' + node.name + ' with settings:', exportSettings);
-        console.log('Node dimensions for frame export:', node.width + 'x' + node.height);
-        console.log('Scale factor for frame export:', scale);
-        imageData = await safeExportAsync(node, exportSettings);
-        console.log('Successfully exported ' + node.name + ' as image, size: ' + imageData.length + ' bytes');
-        
-        // Cache the frame export
-        exportCache.set(frameCacheKey, imageData);
-        // Limit cache size
-        if (exportCache.size > 100) {
-          const firstKey = exportCache.keys().next().value;
-          exportCache.delete(firstKey);
-        }
-      }
-      
-      // Get all export settings from the node
-      let exportScales = [1]; // Default to 1x
-      let exportFormats = []; // Figma export formats
-      if (node.exportSettings && node.exportSettings.length > 0) {
-        const scaleSettings = [];
-        const formatSettings = [];
-        for (let i = 0; i < node.exportSettings.length; i++) {
-          // Yield to UI for large export settings arrays
-          if (i > 0 && i % 5 === 0) {
-            await new Promise(resolve => setTimeout(resolve, 0));
-          }
-          const setting = node.exportSettings[i];
-          if (setting.constraint && setting.constraint.type === 'SCALE') {
-            scaleSettings.push(setting.constraint.value);
-          }
-          if (setting.format && !formatSettings.includes(setting.format)) {
-            formatSettings.push(setting.format);
-          }
-        }
-        if (scaleSettings.length > 0) {
-          exportScales = scaleSettings;
-        }
-        if (formatSettings.length > 0) {
-          exportFormats = formatSettings;
-        }
-      }
-      
-      imageNodes.push({
-        id: node.id,
-        name: node.name,
-        imageData: Array.from(imageData),
-        width: node.width * scale,
-        height: node.height * scale,
-        originalWidth: node.width,
-        originalHeight: node.height,
-        scale: scale,
-        exportScales: exportScales, // Add all export scales from Figma settings
-        exportFormats: exportFormats, // Add all export formats from Figma settings
-        type: 'generated-image'
-      });
+      finishHeadlessRun(await restoreOriginals('selection'));
     } catch (error) {
-      console.error('Error exporting node as image:', node.name, error);
-      // Send error to UI for user feedback
-      figma.ui.postMessage({
-        type: 'image-processing-error',
-        nodeName: node.name,
-        error: error.message
-      });
+      console.error('Error restoring originals:', error);
+      finishHeadlessRun('Failed to restore originals: ' + error.message);
+    }
+    return;
+  }
+
+  if (figma.currentPage.selection.length === 0) {
+    finishHeadlessRun('Select layers with images to compress first');
+    return;
+  }
+
+  headlessRun = { command: command, format: parameters && parameters.format, quality: parameters && parameters.quality };
+  if (command === 'compress-with-preset') {
+    headlessRun.preset = (await loadPresets()).find(preset => preset.name === parameters.preset);
+    if (!headlessRun.preset) {
+      finishHeadlessRun('Preset "' + parameters.preset + '" not found');
+      return;
     }
   }
-}
+
+  notifyHeadlessProgress('Compressing selection...');
+  // The UI scans the selection, compresses and replaces, then reports back with headless-done or replace-end
+  figma.showUI(__uiFiles__.main, { visible: false });
+});
 
 // Listen for messages from the UI
 figma.ui.onmessage = async function(msg) {
@@ -364,11 +1590,14 @@ figma.ui.onmessage = async function(msg) {
     const scale = msg.scale || 1; // Default to 1x if no scale provided
     // Default to true so we use rendered/current view if UI doesn't send a flag
     const useCurrentView = msg.useCurrentView !== false;
+    const scanOptions = getScanOptions(msg);
+    beginScanStream(msg.scanId, imageNodes);
     
     // Process selected nodes in batches
     for (let i = 0; i < figma.currentPage.selection.length; i++) {
+      if (!isScanActive(imageNodes)) break;
       const node = figma.currentPage.selection[i];
-      await processNodeForImages(node, imageNodes, scale, useCurrentView);
+      await processNodeForImages(node, imageNodes, scale, useCurrentView, scanOptions);
       
       // Yield to UI every 2 selections to prevent blocking
       if (i > 0 && i % 2 === 0) {
@@ -381,19 +1610,18 @@ figma.ui.onmessage = async function(msg) {
       await new Promise(resolve => setTimeout(resolve, 100));
     }
     
-    figma.ui.postMessage({
-      type: 'selected-images',
-      images: imageNodes
-    });
+    endScanStream(imageNodes);
   }
 
   // Scan entire current page and collect frames and image nodes
   if (msg.type === 'get-page-images') {
     console.log('Starting page scan...');
+    const imageNodes = [];
+    beginScanStream(msg.scanId, imageNodes);
     try {
-      const imageNodes = [];
       const scale = msg.scale || 1;
       const useCurrentView = msg.useCurrentView !== false; // default true
+      const scanOptions = getScanOptions(msg);
 
       // Show progress to user
       figma.ui.postMessage({
@@ -406,6 +1634,7 @@ figma.ui.onmessage = async function(msg) {
       console.log('Found ' + topLevelNodes.length + ' top-level nodes to process');
       
       for (let i = 0; i < topLevelNodes.length; i++) {
+        if (!isScanActive(imageNodes)) break;
         const node = topLevelNodes[i];
         console.log('Processing top-level node ' + (i + 1) + '/' + topLevelNodes.length + ': ' + node.name);
         
@@ -415,7 +1644,7 @@ figma.ui.onmessage = async function(msg) {
           message: 'Processing ' + node.name + '... (' + (i + 1) + '/' + topLevelNodes.length + ')'
         });
         
-        await processNodeForImages(node, imageNodes, scale, useCurrentView);
+        await processNodeForImages(node, imageNodes, scale, useCurrentView, scanOptions);
         
         // Yield to UI every node to keep Figma responsive
         await new Promise(resolve => setTimeout(resolve, 20));
@@ -427,26 +1656,26 @@ figma.ui.onmessage = async function(msg) {
       }
 
       console.log('Page scan complete. Found ' + imageNodes.length + ' images');
-      figma.ui.postMessage({
-        type: 'selected-images',
-        images: imageNodes
-      });
     } catch (error) {
       console.error('Error scanning page images:', error);
       figma.ui.postMessage({
         type: 'error',
         message: 'Failed to scan page: ' + error.message
       });
+    } finally {
+      endScanStream(imageNodes);
     }
   }
 
   // Auto: if there is a current selection, use it; else scan the page
   if (msg.type === 'get-images-auto') {
     console.log('Starting auto image collection...');
+    const imageNodes = [];
+    beginScanStream(msg.scanId, imageNodes);
     try {
-      const imageNodes = [];
       const scale = msg.scale || 1;
       const useCurrentView = msg.useCurrentView !== false;
+      const scanOptions = getScanOptions(msg);
 
       const hasSelection = figma.currentPage.selection && figma.currentPage.selection.length > 0;
       console.log('Has selection: ' + hasSelection + ', selection length: ' + figma.currentPage.selection.length);
@@ -463,6 +1692,7 @@ figma.ui.onmessage = async function(msg) {
       console.log('Processing ' + nodes.length + ' nodes from ' + sourceType);
       
       for (let i = 0; i < nodes.length; i++) {
+        if (!isScanActive(imageNodes)) break;
         console.log('Processing node ' + (i + 1) + '/' + nodes.length + ': ' + nodes[i].name);
         
         // Update progress for longer scans
@@ -473,7 +1703,7 @@ figma.ui.onmessage = async function(msg) {
           });
         }
         
-        await processNodeForImages(nodes[i], imageNodes, scale, useCurrentView);
+        await processNodeForImages(nodes[i], imageNodes, scale, useCurrentView, scanOptions);
       }
       
       // Wait for queue to finish processing
@@ -482,51 +1712,173 @@ figma.ui.onmessage = async function(msg) {
       }
 
       console.log('Auto collection complete. Found ' + imageNodes.length + ' images from ' + sourceType);
-      figma.ui.postMessage({ type: 'selected-images', images: imageNodes });
     } catch (error) {
       console.error('Error in auto image collection:', error);
       figma.ui.postMessage({ type: 'error', message: 'Failed to collect images: ' + error.message });
+    } finally {
+      endScanStream(imageNodes);
     }
   }
 
-  if (msg.type === 'compress-and-replace') {
+  // Whole document: load and scan every page in turn
+  if (msg.type === 'get-document-images') {
+    console.log('Starting document scan...');
+    const imageNodes = [];
+    beginScanStream(msg.scanId, imageNodes);
     try {
-      // Find the node to replace
-      const node = await figma.getNodeByIdAsync(msg.nodeId);
-      if (!node || !('fills' in node)) {
+      const scale = msg.scale || 1;
+      const useCurrentView = msg.useCurrentView !== false;
+      const scanOptions = getScanOptions(msg);
+      const pages = figma.root.children;
+
+      for (let p = 0; p < pages.length; p++) {
+        if (!isScanActive(imageNodes)) break;
+        const page = pages[p];
+        console.log('Scanning page ' + (p + 1) + '/' + pages.length + ': ' + page.name);
         figma.ui.postMessage({
-          type: 'error',
-          message: 'Could not find the image to replace'
+          type: 'scan-progress',
+          message: 'Scanning page "' + page.name + '"... (' + (p + 1) + '/' + pages.length + ')'
         });
-        return;
-      }
 
-      // Create new image from compressed data
-      const compressedImageData = new Uint8Array(msg.compressedImageData);
-      const newImage = figma.createImage(compressedImageData);
-      
-      // Replace the image fill
-      const newFills = node.fills.map(function(fill) {
-        if (fill.type === 'IMAGE') {
-          return Object.assign({}, fill, {
-            imageHash: newImage.hash
-          });
+        // Pages other than the current one are not loaded with dynamic page access
+        await page.loadAsync();
+        const pageOptions = Object.assign({}, scanOptions, { page: page });
+
+        for (let i = 0; i < page.children.length; i++) {
+          if (!isScanActive(imageNodes)) break;
+          await processNodeForImages(page.children[i], imageNodes, scale, useCurrentView, pageOptions);
         }
-        return fill;
+
+        // Wait for queue to finish processing this page so results stay grouped by page
+        while (isCurrentlyProcessing && processingQueue.length > 0) {
+          await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        flushScanResults(true);
+      }
+
+      console.log('Document scan complete. Found ' + imageNodes.length + ' images on ' + pages.length + ' pages');
+    } catch (error) {
+      console.error('Error scanning document images:', error);
+      figma.ui.postMessage({
+        type: 'error',
+        message: 'Failed to scan document: ' + error.message
       });
-      
-      node.fills = newFills;
-      
+    } finally {
+      endScanStream(imageNodes);
+    }
+  }
+
+  if (msg.type === 'get-audit') {
+    console.log('Starting image audit...');
+    try {
+      const rows = await buildImageAudit(msg);
+      console.log('Audit complete. Found ' + rows.length + ' unique images');
+      figma.ui.postMessage({
+        type: 'audit-result',
+        rows: rows,
+        stopped: shouldStopProcessing
+      });
+    } catch (error) {
+      console.error('Error building audit:', error);
+      figma.ui.postMessage({
+        type: 'error',
+        message: 'Failed to audit images: ' + error.message
+      });
+    }
+  }
+
+  if (msg.type === 'select-nodes') {
+    try {
+      await selectAndZoomToNodes(msg.nodeIds || []);
+    } catch (error) {
+      console.error('Error selecting nodes:', error);
       figma.ui.postMessage({
-        type: 'replace-success',
-        message: 'Image successfully compressed and replaced!'
+        type: 'error',
+        message: 'Failed to select layers: ' + error.message
       });
+    }
+  }
+
+  if (msg.type === 'replace-start') {
+    // Close the undo step before the batch so all replacements undo together
+    await replaceQueue;
+    figma.commitUndo();
+    replaceBatchCount = 0;
+    replaceBatchFailed = 0;
+  }
 
+  if (msg.type === 'compress-and-replace' || msg.type === 'flatten-frame') {
+    const task = replaceQueue.then(() => msg.type === 'flatten-frame' ? flattenFrameInPlace(msg) : replaceCompressedImage(msg));
+    replaceQueue = task.catch(() => {});
+    try {
+      const replacedCount = await task;
+      if (msg.batch) {
+        replaceBatchCount++;
+      } else {
+        figma.ui.postMessage({
+          type: 'replace-success',
+          message: replacedCount > 1
+            ? 'Image successfully compressed and replaced in ' + replacedCount + ' layers!'
+            : 'Image successfully compressed and replaced!'
+        });
+      }
     } catch (error) {
       console.error('Error replacing image:', error);
+      if (msg.batch) {
+        // Listed per row by the UI and counted once in replace-end
+        replaceBatchFailed++;
+        figma.ui.postMessage({
+          type: 'replace-failed',
+          index: msg.index,
+          error: error.message
+        });
+      } else {
+        figma.ui.postMessage({
+          type: 'error',
+          message: 'Failed to replace image: ' + error.message
+        });
+      }
+    }
+  }
+
+  if (msg.type === 'replace-end') {
+    await replaceQueue;
+    figma.commitUndo();
+    const message = 'Replaced ' + replaceBatchCount + ' image' + (replaceBatchCount !== 1 ? 's' : '') +
+      (replaceBatchFailed ? ', ' + replaceBatchFailed + ' failed' : '') + ' - use "Restore originals" or undo to revert' +
+      (msg.skipped ? ' (' + msg.skipped + ' skipped - AVIF, SVG and PDF files are export-only)' : '') +
+      (msg.skippedFrames ? ' (' + msg.skippedFrames + ' frame' + (msg.skippedFrames !== 1 ? 's' : '') + ' left unchanged - choose "Flatten in place" to replace them)' : '');
+    if (headlessRun) {
+      finishHeadlessRun(message + (headlessRun.failed ? ', ' + headlessRun.failed + ' failed to compress' : ''));
+      return;
+    }
+    figma.ui.postMessage({
+      type: 'replace-success',
+      message: message,
+      failed: replaceBatchFailed
+    });
+  }
+
+  if (msg.type === 'headless-progress' && headlessRun) {
+    headlessRun.failed = msg.failed;
+    notifyHeadlessProgress('Compressing ' + (msg.done + msg.failed) + ' of ' + msg.total + '...');
+  }
+
+  if (msg.type === 'headless-done' && headlessRun) {
+    finishHeadlessRun(msg.message);
+  }
+
+  if (msg.type === 'restore-originals') {
+    try {
+      figma.ui.postMessage({
+        type: 'restore-complete',
+        message: await restoreOriginals(msg.scope)
+      });
+    } catch (error) {
+      console.error('Error restoring originals:', error);
       figma.ui.postMessage({
         type: 'error',
-        message: 'Failed to replace image: ' + error.message
+        message: 'Failed to restore originals: ' + error.message
       });
     }
   }
@@ -636,29 +1988,51 @@ figma.ui.onmessage = async function(msg) {
 
   // Handle request for scaled image
   if (msg.type === 'get-scaled-image') {
+    activeImageRequests.add(msg.requestId);
     try {
       const node = await figma.getNodeByIdAsync(msg.nodeId);
       if (!node) {
         figma.ui.postMessage({
           type: 'scaled-image-data',
           nodeId: msg.nodeId,
+          requestId: msg.requestId,
           error: 'Node not found'
         });
         return;
       }
+      await ensurePageLoaded(node);
 
-      // Export node at specified scale
-      const exportSettings = {
-        format: 'PNG',
-        constraint: { type: 'SCALE', value: msg.scale }
-      };
-      
-      const imageData = await safeExportAsync(node, exportSettings);
+      let imageData;
+      if (msg.imageHash) {
+        // Paints that can't be isolated in a render are compressed from their source bytes
+        const image = figma.getImageByHash(msg.imageHash);
+        if (!image) {
+          throw new Error('Image not found');
+        }
+        notifyImageRequestStarted(msg.requestId); // Not queued behind exports
+        imageData = await image.getBytesAsync();
+      } else if (msg.format === 'SVG' || msg.format === 'PDF') {
+        // Vector files don't depend on scale; text is outlined so they don't depend on fonts either
+        imageData = await safeExportAsync(node, msg.format === 'SVG'
+          ? { format: 'SVG', svgOutlineText: true, svgIdAttribute: false, svgSimplifyStroke: true }
+          : { format: 'PDF' }, msg.requestId);
+      } else {
+        // Export node at specified scale, width or height
+        const exportSettings = {
+          format: 'PNG',
+          constraint: getExportConstraint(msg.scale)
+        };
+        
+        imageData = msg.flatten && FLATTENABLE_TYPES.includes(node.type)
+          ? await exportFlattenSource(node, exportSettings, msg.requestId)
+          : await safeExportAsync(node, exportSettings, msg.requestId);
+      }
       
       figma.ui.postMessage({
         type: 'scaled-image-data',
         nodeId: msg.nodeId,
-        imageData: Array.from(imageData)
+        requestId: msg.requestId,
+        imageData: imageData // Uint8Array is transferred as is, no JSON number array
       });
 
     } catch (error) {
@@ -666,11 +2040,19 @@ figma.ui.onmessage = async function(msg) {
       figma.ui.postMessage({
         type: 'scaled-image-data',
         nodeId: msg.nodeId,
+        requestId: msg.requestId,
         error: error.message
       });
+    } finally {
+      activeImageRequests.delete(msg.requestId);
+      cancelledImageRequests.delete(msg.requestId);
     }
   }
 
+  if (msg.type === 'cancel-image-request') {
+    cancelImageRequest(msg.requestId);
+  }
+
   if (msg.type === 'cancel') {
     figma.closePlugin();
   }
@@ -684,74 +2066,171 @@ figma.ui.onmessage = async function(msg) {
     });
   }
 
-  if (msg.type === 'replace-export-settings') {
+  // The AVIF encoder is a separate vendored UI file; only the main thread can read it
+  if (msg.type === 'load-avif-encoder') {
+    figma.ui.postMessage({
+      type: 'avif-encoder',
+      source: __uiFiles__.avifEncoder
+    });
+  }
+
+  if (msg.type === 'load-presets') {
+    try {
+      await postPresets();
+    } catch (error) {
+      console.error('Error loading presets:', error);
+      figma.ui.postMessage({
+        type: 'error',
+        message: 'Failed to load presets: ' + error.message
+      });
+    }
+  }
+
+  if (msg.type === 'save-preset') {
+    try {
+      const presets = await loadPresets();
+      const existingIndex = presets.findIndex(preset => preset.name === msg.preset.name);
+      if (existingIndex >= 0) {
+        presets[existingIndex] = msg.preset;
+      } else {
+        presets.push(msg.preset);
+      }
+      await figma.clientStorage.setAsync(PRESETS_STORAGE_KEY, presets);
+      await postPresets('Preset "' + msg.preset.name + '" saved');
+    } catch (error) {
+      console.error('Error saving preset:', error);
+      figma.ui.postMessage({
+        type: 'error',
+        message: 'Failed to save preset: ' + error.message
+      });
+    }
+  }
+
+  if (msg.type === 'delete-preset') {
+    try {
+      const presets = await loadPresets();
+      await figma.clientStorage.setAsync(PRESETS_STORAGE_KEY, presets.filter(preset => preset.name !== msg.name));
+      await postPresets('Preset "' + msg.name + '" deleted');
+    } catch (error) {
+      console.error('Error deleting preset:', error);
+      figma.ui.postMessage({
+        type: 'error',
+        message: 'Failed to delete preset: ' + error.message
+      });
+    }
+  }
+
+  if (msg.type === 'save-last-settings') {
+    try {
+      await figma.clientStorage.setAsync(LAST_SETTINGS_STORAGE_KEY, msg.settings);
+    } catch (error) {
+      console.error('Error saving last settings:', error);
+    }
+  }
+
+  if (msg.type === 'save-node-settings') {
     try {
-      // Find the node to update
       const node = await figma.getNodeByIdAsync(msg.nodeId);
-      if (!node) {
+      if (node) {
+        setNodeSettings(node, msg.settings);
+      }
+    } catch (error) {
+      console.error('Error saving node settings:', error);
+    }
+  }
+
+  if (msg.type === 'apply-preset-to-selection') {
+    try {
+      const selection = figma.currentPage.selection;
+      if (selection.length === 0) {
         figma.ui.postMessage({
           type: 'error',
-          message: 'Could not find the node to update'
+          message: 'Select layers to apply the preset to'
         });
         return;
       }
 
-      console.log('Replacing export settings for node:', node.name);
-      console.log('Scales to replace:', msg.scales);
+      const settings = {
+        preset: msg.preset.name,
+        format: msg.preset.format,
+        scales: msg.preset.scales,
+        quality: msg.preset.quality,
+        maxSizeMB: msg.preset.maxSizeMB
+      };
+      for (const node of selection) {
+        setNodeSettings(node, settings);
+      }
+
+      console.log('Applied preset ' + msg.preset.name + ' to ' + selection.length + ' nodes');
+      figma.ui.postMessage({
+        type: 'preset-applied',
+        message: 'Preset "' + msg.preset.name + '" applied to ' + selection.length + ' layer' + (selection.length !== 1 ? 's' : '')
+      });
+    } catch (error) {
+      console.error('Error applying preset:', error);
+      figma.ui.postMessage({
+        type: 'error',
+        message: 'Failed to apply preset: ' + error.message
+      });
+    }
+  }
+
+  // Preview what syncing export settings would change, without touching the nodes
+  if (msg.type === 'preview-export-settings') {
+    try {
+      const previews = [];
+      for (const item of msg.items || []) {
+        for (const nodeId of item.nodeIds) {
+          const node = await figma.getNodeByIdAsync(nodeId);
+          if (!node || !('exportSettings' in node)) continue;
+          await ensurePageLoaded(node);
+          const plan = planExportSettings(node, item.scales, item.format, msg.removeUnchecked);
+          previews.push({ nodeId: node.id, name: node.name, changes: plan.changes, warnings: plan.warnings });
+        }
+      }
+      figma.ui.postMessage({
+        type: 'export-settings-preview',
+        previews: previews
+      });
+    } catch (error) {
+      console.error('Error previewing export settings:', error);
+      figma.ui.postMessage({
+        type: 'error',
+        message: 'Failed to preview export settings: ' + error.message
+      });
+    }
+  }
 
-      // Get current export settings or create new ones
-      let exportSettings = node.exportSettings ? [...node.exportSettings] : [];
-      let replacedCount = 0;
+  // Write the chosen scales and format to the nodes as real Figma export settings
+  if (msg.type === 'replace-export-settings') {
+    try {
+      figma.commitUndo();
+      let updatedCount = 0;
+      for (const item of msg.items || []) {
+        for (const nodeId of item.nodeIds) {
+          const node = await figma.getNodeByIdAsync(nodeId);
+          if (!node || !('exportSettings' in node)) continue;
+          await ensurePageLoaded(node);
 
-      // For each scale, create new image and update/add export setting
-      for (const scale of msg.scales) {
-        const scaleData = msg.scaleData[scale];
-        if (!scaleData) continue;
+          const plan = planExportSettings(node, item.scales, item.format, msg.removeUnchecked);
+          if (!plan.changes.some(change => change.action !== 'keep')) continue;
 
-        try {
-          // Create new image from compressed data
-          const compressedImageData = new Uint8Array(scaleData.data);
-          const newImage = figma.createImage(compressedImageData);
-          
-          // Find existing export setting for this scale or create new one
-          const scaleValue = parseFloat(scale);
-          let existingSettingIndex = exportSettings.findIndex(setting => 
-            setting.constraint && 
-            setting.constraint.type === 'SCALE' && 
-            setting.constraint.value === scaleValue
-          );
-
-          const newExportSetting = {
-            format: scaleData.format,
-            constraint: { type: 'SCALE', value: scaleValue },
-            imageHash: newImage.hash
-          };
-
-          if (existingSettingIndex >= 0) {
-            // Replace existing setting
-            exportSettings[existingSettingIndex] = newExportSetting;
-            console.log(`Replaced existing export setting for ${scale}x`);
-          } else {
-            // Add new setting
-            exportSettings.push(newExportSetting);
-            console.log(`Added new export setting for ${scale}x`);
-          }
-          
-          replacedCount++;
-        } catch (error) {
-          console.error(`Error creating image for scale ${scale}:`, error);
+          console.log('Syncing export settings for node:', node.name, plan.changes);
+          // Keep the original export settings so they can be restored later
+          recordOriginalExportSettings(node);
+          node.exportSettings = plan.exportSettings;
+          updatedCount++;
         }
       }
+      figma.commitUndo();
 
-      // Update node's export settings
-      node.exportSettings = exportSettings;
-      
-      console.log(`Successfully replaced ${replacedCount} export settings`);
+      console.log('Synced export settings on ' + updatedCount + ' layers');
       figma.ui.postMessage({
-        type: 'replace-success',
-        message: `Successfully replaced ${replacedCount} export setting${replacedCount !== 1 ? 's' : ''}!`
+        type: 'export-settings-synced',
+        message: updatedCount > 0
+          ? 'Updated export settings on ' + updatedCount + ' layer' + (updatedCount !== 1 ? 's' : '')
+          : 'Export settings already match'
       });
-
     } catch (error) {
       console.error('Error replacing export settings:', error);
       figma.ui.postMessage({
@@ -762,5 +2241,8 @@ figma.ui.onmessage = async function(msg) {
   }
 };
 
-// When the plugin starts, automatically get selected images
-figma.ui.postMessage({ type: 'plugin-ready' });
\ No newline at end of file
+// When the plugin starts, automatically get selected images and follow the canvas from then on
+if (!HEADLESS_COMMANDS.includes(figma.command)) {
+  figma.ui.postMessage({ type: 'plugin-ready' });
+  startLiveSync();
+}
\ No newline at end of file